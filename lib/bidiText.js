@@ -0,0 +1,334 @@
+// ======================================================
+// BIDIRECTIONAL TEXT
+// ======================================================
+//
+// Converts logical-order text (the order a student typed
+// it) into the visual order needed by renderers that draw
+// glyphs strictly left to right, such as the server PDF
+// writer (lib/pdfDocument.js).
+//
+// This is a deliberately small subset of the Unicode
+// Bidirectional Algorithm:
+//
+// • characters are grouped into right-to-left runs
+//   (Hebrew, Arabic, Syriac, Thaana, N'Ko) and
+//   left-to-right runs (everything else that is strong,
+//   including digits);
+// • neutrals (spaces, punctuation) between two runs of the
+//   same direction join them, otherwise they take the
+//   paragraph direction;
+// • right-to-left runs are reversed and their brackets
+//   mirrored.
+//
+// Arabic letters are also given their contextual
+// (initial, medial, final, isolated) presentation forms,
+// since fonts are drawn without a shaping engine.
+//
+// For renderers that do run the full algorithm (browsers,
+// word processors, chat clients), isolateText wraps a span
+// in Unicode directional isolates so it is laid out on its
+// own and cannot reorder the text around it.
+// ======================================================
+
+/** @typedef {"ltr" | "rtl"} TextDirection */
+
+const RTL_RANGES = [
+  [0x0590, 0x08ff],
+  [0xfb1d, 0xfdff],
+  [0xfe70, 0xfeff],
+];
+
+const MIRRORED_BRACKETS = {
+  "(": ")",
+  ")": "(",
+  "[": "]",
+  "]": "[",
+  "{": "}",
+  "}": "{",
+  "<": ">",
+  ">": "<",
+  "«": "»",
+  "»": "«",
+};
+
+export function isRtlCodePoint(codePoint) {
+  return RTL_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end);
+}
+
+function isNeutral(char) {
+  return /[\s\p{P}\p{S}]/u.test(char);
+}
+
+const FIRST_STRONG_ISOLATE = "\u2068";
+const POP_DIRECTIONAL_ISOLATE = "\u2069";
+
+// Isolates, embeddings, overrides and the LRM/RLM marks.
+const BIDI_CONTROLS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+const ISOLATE_INITIATORS = /[\u2066-\u2068]/;
+
+/**
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function containsRtl(text) {
+  for (const char of text || "") {
+    if (isRtlCodePoint(char.codePointAt(0))) return true;
+  }
+
+  return false;
+}
+
+/**
+ * The direction of the first strong letter, the way a
+ * browser resolves dir="auto". Text inside isolates and
+ * digits do not count.
+ *
+ * @param {string} text
+ * @returns {TextDirection | null} null when there is no letter.
+ */
+export function getBaseDirection(text) {
+  let depth = 0;
+
+  for (const char of text || "") {
+    if (ISOLATE_INITIATORS.test(char)) depth++;
+    else if (char === POP_DIRECTIONAL_ISOLATE) depth = Math.max(0, depth - 1);
+    else if (!depth && isRtlCodePoint(char.codePointAt(0))) return "rtl";
+    else if (!depth && /\p{L}/u.test(char)) return "ltr";
+  }
+
+  return null;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripBidiControls(text) {
+  return (text || "").toString().replace(BIDI_CONTROLS, "");
+}
+
+// ------------------------------------------------------
+// ISOLATION
+// ------------------------------------------------------
+
+/**
+ * Wraps text in a first-strong isolate (FSI … PDI), so it
+ * takes its own direction and acts as a single neutral
+ * character to the text around it.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function isolateText(text) {
+  const clean = stripBidiControls(text);
+  return clean ? `${FIRST_STRONG_ISOLATE}${clean}${POP_DIRECTIONAL_ISOLATE}` : "";
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Isolates every whole occurrence of the given spans (not
+ * inside a longer word), longest span first.
+ *
+ * @param {string} text
+ * @param {Iterable<string>} spans
+ * @returns {string}
+ */
+export function isolateSpans(text, spans) {
+  const sorted = [...new Set([...spans].map(stripBidiControls))]
+    .filter((span) => /[\p{L}\p{N}]/u.test(span))
+    .sort((a, b) => b.length - a.length);
+
+  if (!text || !sorted.length) return text || "";
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{N}])(?:${sorted.map(escapeRegExp).join("|")})(?![\\p{L}\\p{M}\\p{N}])`,
+    "gu"
+  );
+
+  return stripBidiControls(text).replace(pattern, (match) => isolateText(match));
+}
+
+// ------------------------------------------------------
+// ARABIC SHAPING
+// ------------------------------------------------------
+
+// Isolated presentation form for each base letter. Dual-
+// joining letters have final, initial and medial forms at
+// +1, +2 and +3; right-joining letters only have a final
+// form at +1.
+const ARABIC_FORMS = {
+  0x0621: { isolated: 0xfe80, joining: "none" },
+  0x0622: { isolated: 0xfe81, joining: "right" },
+  0x0623: { isolated: 0xfe83, joining: "right" },
+  0x0624: { isolated: 0xfe85, joining: "right" },
+  0x0625: { isolated: 0xfe87, joining: "right" },
+  0x0626: { isolated: 0xfe89, joining: "dual" },
+  0x0627: { isolated: 0xfe8d, joining: "right" },
+  0x0628: { isolated: 0xfe8f, joining: "dual" },
+  0x0629: { isolated: 0xfe93, joining: "right" },
+  0x062a: { isolated: 0xfe95, joining: "dual" },
+  0x062b: { isolated: 0xfe99, joining: "dual" },
+  0x062c: { isolated: 0xfe9d, joining: "dual" },
+  0x062d: { isolated: 0xfea1, joining: "dual" },
+  0x062e: { isolated: 0xfea5, joining: "dual" },
+  0x062f: { isolated: 0xfea9, joining: "right" },
+  0x0630: { isolated: 0xfeab, joining: "right" },
+  0x0631: { isolated: 0xfead, joining: "right" },
+  0x0632: { isolated: 0xfeaf, joining: "right" },
+  0x0633: { isolated: 0xfeb1, joining: "dual" },
+  0x0634: { isolated: 0xfeb5, joining: "dual" },
+  0x0635: { isolated: 0xfeb9, joining: "dual" },
+  0x0636: { isolated: 0xfebd, joining: "dual" },
+  0x0637: { isolated: 0xfec1, joining: "dual" },
+  0x0638: { isolated: 0xfec5, joining: "dual" },
+  0x0639: { isolated: 0xfec9, joining: "dual" },
+  0x063a: { isolated: 0xfecd, joining: "dual" },
+  0x0641: { isolated: 0xfed1, joining: "dual" },
+  0x0642: { isolated: 0xfed5, joining: "dual" },
+  0x0643: { isolated: 0xfed9, joining: "dual" },
+  0x0644: { isolated: 0xfedd, joining: "dual" },
+  0x0645: { isolated: 0xfee1, joining: "dual" },
+  0x0646: { isolated: 0xfee5, joining: "dual" },
+  0x0647: { isolated: 0xfee9, joining: "dual" },
+  0x0648: { isolated: 0xfeed, joining: "right" },
+  0x0649: { isolated: 0xfeef, joining: "right" },
+  0x064a: { isolated: 0xfef1, joining: "dual" },
+};
+
+// Lam followed by one of these alefs becomes a single
+// ligature (isolated form; final form is +1).
+const LAM_ALEF_LIGATURES = {
+  0x0622: 0xfef5,
+  0x0623: 0xfef7,
+  0x0625: 0xfef9,
+  0x0627: 0xfefb,
+};
+
+const LAM = 0x0644;
+
+// Harakat and other marks do not break joining.
+function isTransparent(codePoint) {
+  return (codePoint >= 0x064b && codePoint <= 0x065f) || codePoint === 0x0670;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function shapeArabic(text) {
+  const codePoints = Array.from(text || "", (char) => char.codePointAt(0));
+
+  const neighbor = (index, step) => {
+    for (let i = index + step; i >= 0 && i < codePoints.length; i += step) {
+      if (!isTransparent(codePoints[i])) return codePoints[i];
+    }
+
+    return null;
+  };
+
+  // Whether the previous letter connects forward to this one.
+  const joinsFromPrevious = (index) => {
+    const previous = neighbor(index, -1);
+    return ARABIC_FORMS[previous]?.joining === "dual";
+  };
+
+  const out = [];
+
+  for (let i = 0; i < codePoints.length; i++) {
+    const codePoint = codePoints[i];
+    const forms = ARABIC_FORMS[codePoint];
+
+    if (!forms) {
+      out.push(codePoint);
+      continue;
+    }
+
+    const joinsPrevious = forms.joining !== "none" && joinsFromPrevious(i);
+
+    if (codePoint === LAM && LAM_ALEF_LIGATURES[codePoints[i + 1]]) {
+      out.push(LAM_ALEF_LIGATURES[codePoints[i + 1]] + (joinsPrevious ? 1 : 0));
+      i++;
+      continue;
+    }
+
+    const next = neighbor(i, 1);
+    const joinsNext = forms.joining === "dual" && !!ARABIC_FORMS[next] && ARABIC_FORMS[next].joining !== "none";
+
+    let form = forms.isolated;
+
+    if (joinsPrevious && joinsNext) form = forms.isolated + 3;
+    else if (joinsNext) form = forms.isolated + 2;
+    else if (joinsPrevious) form = forms.isolated + 1;
+
+    out.push(form);
+  }
+
+  return String.fromCodePoint(...out);
+}
+
+// ------------------------------------------------------
+// VISUAL ORDERING
+// ------------------------------------------------------
+
+/**
+ * Splits one line of logical-order text into directional
+ * runs.
+ *
+ * @param {string} text
+ * @param {TextDirection} [baseDirection]
+ * @returns {{ direction: TextDirection, text: string }[]}
+ */
+export function getDirectionalRuns(text, baseDirection = "ltr") {
+  const chars = Array.from(text || "");
+
+  const strong = chars.map((char) => {
+    if (isRtlCodePoint(char.codePointAt(0))) return "rtl";
+    return isNeutral(char) ? null : "ltr";
+  });
+
+  // Resolve neutrals from the strong characters around them.
+  const resolved = strong.map((direction, index) => {
+    if (direction) return direction;
+
+    const before = strong.slice(0, index).reverse().find(Boolean) || baseDirection;
+    const after = strong.slice(index + 1).find(Boolean) || baseDirection;
+
+    return before === after ? before : baseDirection;
+  });
+
+  const runs = [];
+
+  chars.forEach((char, index) => {
+    const last = runs[runs.length - 1];
+
+    if (last && last.direction === resolved[index]) {
+      last.text += char;
+    } else {
+      runs.push({ direction: resolved[index], text: char });
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * @param {string} text  One line, in logical order.
+ * @param {TextDirection} [baseDirection]
+ * @returns {string} The same line in left-to-right drawing order.
+ */
+export function toVisualOrder(text, baseDirection = "ltr") {
+  // The controls have no glyphs to draw.
+  const runs = getDirectionalRuns(shapeArabic(stripBidiControls(text)), baseDirection).map((run) =>
+    run.direction === "rtl"
+      ? Array.from(run.text)
+          .reverse()
+          .map((char) => MIRRORED_BRACKETS[char] || char)
+          .join("")
+      : run.text
+  );
+
+  return (baseDirection === "rtl" ? runs.reverse() : runs).join("");
+}
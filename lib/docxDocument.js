@@ -0,0 +1,229 @@
+import { getBaseDirection } from "./bidiText.js";
+import { createZipArchive } from "./zipArchive.js";
+
+// ======================================================
+// DOCX DOCUMENT WRITER
+// ======================================================
+//
+// A small dependency-free writer for Word (.docx)
+// documents. It supports what the Frame export needs:
+// a title, two heading levels, paragraphs and bullets,
+// using Word's built-in style names so headings show up in
+// the navigation pane and survive import into Google Docs.
+//
+// Unlike the PDF writer, text is written in logical order.
+// Right-to-left documents only mark their paragraphs as
+// right-to-left, and each run is marked by the direction of
+// its own first letter; Word does the bidi layout itself.
+// ======================================================
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {boolean} [bold]
+ * @property {boolean} [italic]
+ */
+
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const RELATIONSHIP_NAMESPACE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Characters XML 1.0 cannot carry at all are dropped.
+function escapeXml(text) {
+  return (text || "")
+    .toString()
+    .replace(/[^\t\n\r\u0020-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function buildStylesXml(language, dir) {
+  const lang =
+    dir === "rtl"
+      ? `<w:lang w:val="en-US" w:bidi="${escapeXml(language)}"/>`
+      : `<w:lang w:val="${escapeXml(language)}"/>`;
+
+  const headingStyle = (id, name, size, color) => `
+  <w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="${id === "Heading1" ? 0 : 1}"/></w:pPr>
+    <w:rPr><w:b/><w:bCs/><w:color w:val="${color}"/><w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr>
+  </w:style>`;
+
+  return `${XML_HEADER}<w:styles xmlns:w="${WORD_NAMESPACE}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Arial"/><w:sz w:val="22"/><w:szCs w:val="22"/>${lang}</w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:qFormat/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/>
+    <w:basedOn w:val="Normal"/>
+    <w:next w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr><w:spacing w:after="240"/></w:pPr>
+    <w:rPr><w:b/><w:bCs/><w:sz w:val="40"/><w:szCs w:val="40"/></w:rPr>
+  </w:style>${headingStyle("Heading1", "heading 1", 30, "2C4D7D")}${headingStyle("Heading2", "heading 2", 26, "3D7A4A")}
+  <w:style w:type="paragraph" w:styleId="ListBullet">
+    <w:name w:val="List Bullet"/>
+    <w:basedOn w:val="Normal"/>
+    <w:qFormat/>
+    <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="60"/></w:pPr>
+  </w:style>
+</w:styles>`;
+}
+
+const NUMBERING_XML = `${XML_HEADER}<w:numbering xmlns:w="${WORD_NAMESPACE}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0">
+      <w:start w:val="1"/>
+      <w:numFmt w:val="bullet"/>
+      <w:lvlText w:val="•"/>
+      <w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const CONTENT_TYPES_XML = `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="${RELATIONSHIP_NAMESPACE}/numbering" Target="numbering.xml"/>
+</Relationships>`;
+
+/**
+ * @param {{ title?: string, language?: string, dir?: "ltr" | "rtl", createdAt?: Date }} [options]
+ */
+export function createDocxDocument(options = {}) {
+  const language = options.language || "en";
+  const rtl = options.dir === "rtl";
+  const createdAt = options.createdAt || new Date();
+
+  /** @type {string[]} */
+  const paragraphs = [];
+
+  const run = (text, runOptions = {}) => {
+    // An English Key Topic in an Arabic document stays a
+    // left-to-right run (and the other way round).
+    const runDirection = getBaseDirection(text) || (rtl ? "rtl" : "ltr");
+
+    const properties = [
+      runOptions.bold ? "<w:b/><w:bCs/>" : "",
+      runOptions.italic ? "<w:i/><w:iCs/>" : "",
+      runDirection === "rtl" ? "<w:rtl/>" : "",
+    ].join("");
+
+    // Line breaks inside a value become Word line breaks.
+    const content = (text || "")
+      .toString()
+      .split("\n")
+      .map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+      .join("<w:br/>");
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ""}${content}</w:r>`;
+  };
+
+  const addParagraph = (style, runs, numbering = "") => {
+    const properties = [
+      style ? `<w:pStyle w:val="${style}"/>` : "",
+      numbering,
+      rtl ? "<w:bidi/>" : "",
+    ].join("");
+
+    paragraphs.push(`<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ""}${runs.join("")}</w:p>`);
+  };
+
+  return {
+    /**
+     * @param {string} text
+     * @param {0 | 1 | 2} [level]  0 is the document title.
+     */
+    heading(text, level = 1) {
+      addParagraph(level === 0 ? "Title" : `Heading${level}`, [run(text)]);
+    },
+
+    /**
+     * A paragraph, optionally opening with a bold label
+     * ("Key Topic: ...").
+     *
+     * @param {string} text
+     * @param {RunOptions & { label?: string }} [runOptions]
+     */
+    paragraph(text, runOptions = {}) {
+      const runs = [];
+
+      if (runOptions.label) runs.push(run(`${runOptions.label}: `, { bold: true }));
+      runs.push(run(text, runOptions));
+
+      addParagraph("", runs);
+    },
+
+    /** @param {string} text */
+    bullet(text) {
+      // Numbering is repeated on the paragraph because some
+      // importers ignore numbering inherited from a style.
+      addParagraph("ListBullet", [run(text)], '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>');
+    },
+
+    pageBreak() {
+      paragraphs.push('<w:p><w:r><w:br w:type="page"/></w:r></w:p>');
+    },
+
+    /** @returns {Buffer} */
+    toBuffer() {
+      const documentXml = `${XML_HEADER}<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}">
+  <w:body>
+    ${paragraphs.join("\n    ")}
+    <w:sectPr>
+      <w:pgSz w:w="12240" w:h="15840"/>
+      <w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>
+      ${rtl ? "<w:bidi/>" : ""}
+    </w:sectPr>
+  </w:body>
+</w:document>`;
+
+      const coreXml = `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(options.title || "Kaw Companion")}</dc:title>
+  <dc:creator>Kaw Companion</dc:creator>
+  <dc:language>${escapeXml(language)}</dc:language>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${createdAt.toISOString().replace(/\.\d{3}Z$/, "Z")}</dcterms:created>
+</cp:coreProperties>`;
+
+      return createZipArchive(
+        [
+          { name: "[Content_Types].xml", data: CONTENT_TYPES_XML },
+          { name: "_rels/.rels", data: PACKAGE_RELS_XML },
+          { name: "word/document.xml", data: documentXml },
+          { name: "word/_rels/document.xml.rels", data: DOCUMENT_RELS_XML },
+          { name: "word/styles.xml", data: buildStylesXml(language, rtl ? "rtl" : "ltr") },
+          { name: "word/numbering.xml", data: NUMBERING_XML },
+          { name: "docProps/core.xml", data: coreXml },
+        ],
+        { modifiedAt: createdAt }
+      );
+    },
+  };
+}
@@ -0,0 +1,527 @@
+import { deflateSync } from "node:zlib";
+
+// ======================================================
+// PDF DOCUMENT WRITER
+// ======================================================
+//
+// A small dependency-free PDF 1.4 writer for server-side
+// exports. It supports what the Frame export needs: pages,
+// text, rectangles and lines.
+//
+// Fonts:
+//
+// • by default the built-in Helvetica and Helvetica-Bold
+//   fonts are used. They cover Latin-1 text only;
+// • a TrueType font (loadTrueTypeFont) can be embedded
+//   for every other script. Bold text is then drawn with a
+//   stroked outline.
+//
+// Coordinates are in points from the TOP-left corner of
+// the page, with y growing downward. Text is drawn exactly
+// as given: callers pass visual-order text for
+// right-to-left scripts (see lib/bidiText.js).
+// ======================================================
+
+/**
+ * @typedef {Object} TrueTypeFont
+ * @property {Buffer} data
+ * @property {number} unitsPerEm
+ * @property {number} ascent
+ * @property {number} descent
+ * @property {number[]} bbox
+ * @property {(codePoint: number) => number} glyphId  0 when the font has no glyph.
+ * @property {(glyphId: number) => number} advanceWidth  In font units.
+ */
+
+/**
+ * @typedef {Object} TextOptions
+ * @property {number} [size]
+ * @property {boolean} [bold]
+ * @property {number[]} [color]  RGB, 0-1.
+ */
+
+export const PAGE_SIZES = {
+  letter: [612, 792],
+  letterLandscape: [792, 612],
+};
+
+// Helvetica advance widths for U+0020..U+007E (Adobe AFM).
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Helvetica-Bold is about this much wider on average.
+const HELVETICA_BOLD_SCALE = 1.08;
+
+// WinAnsiEncoding codes for characters outside Latin-1.
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99,
+};
+
+// ------------------------------------------------------
+// TRUETYPE
+// ------------------------------------------------------
+
+function readTables(data) {
+  const numTables = data.readUInt16BE(4);
+  const tables = {};
+
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    const tag = data.toString("latin1", entry, entry + 4);
+
+    tables[tag] = {
+      offset: data.readUInt32BE(entry + 8),
+      length: data.readUInt32BE(entry + 12),
+    };
+  }
+
+  return tables;
+}
+
+function buildCmapLookup(data, cmapOffset) {
+  const numSubtables = data.readUInt16BE(cmapOffset + 2);
+  const subtables = [];
+
+  for (let i = 0; i < numSubtables; i++) {
+    const entry = cmapOffset + 4 + i * 8;
+
+    subtables.push({
+      platformId: data.readUInt16BE(entry),
+      encodingId: data.readUInt16BE(entry + 2),
+      offset: cmapOffset + data.readUInt32BE(entry + 4),
+    });
+  }
+
+  const full = subtables.find((t) => t.platformId === 3 && t.encodingId === 10 && data.readUInt16BE(t.offset) === 12);
+
+  if (full) {
+    const groupCount = data.readUInt32BE(full.offset + 12);
+
+    return (codePoint) => {
+      for (let g = 0; g < groupCount; g++) {
+        const group = full.offset + 16 + g * 12;
+        const start = data.readUInt32BE(group);
+        const end = data.readUInt32BE(group + 4);
+
+        if (codePoint >= start && codePoint <= end) {
+          return data.readUInt32BE(group + 8) + (codePoint - start);
+        }
+      }
+
+      return 0;
+    };
+  }
+
+  const bmp = subtables.find((t) => (t.platformId === 3 || t.platformId === 0) && data.readUInt16BE(t.offset) === 4);
+
+  if (!bmp) {
+    throw new Error("TrueType font has no Unicode cmap subtable.");
+  }
+
+  const segCount = data.readUInt16BE(bmp.offset + 6) / 2;
+  const endCodes = bmp.offset + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+
+  return (codePoint) => {
+    if (codePoint > 0xffff) return 0;
+
+    for (let seg = 0; seg < segCount; seg++) {
+      if (codePoint > data.readUInt16BE(endCodes + seg * 2)) continue;
+
+      const start = data.readUInt16BE(startCodes + seg * 2);
+      if (codePoint < start) return 0;
+
+      const delta = data.readInt16BE(idDeltas + seg * 2);
+      const rangeOffsetPosition = idRangeOffsets + seg * 2;
+      const rangeOffset = data.readUInt16BE(rangeOffsetPosition);
+
+      if (!rangeOffset) return (codePoint + delta) & 0xffff;
+
+      const glyph = data.readUInt16BE(rangeOffsetPosition + rangeOffset + (codePoint - start) * 2);
+      return glyph ? (glyph + delta) & 0xffff : 0;
+    }
+
+    return 0;
+  };
+}
+
+/**
+ * @param {Buffer} data  Contents of a .ttf file.
+ * @returns {TrueTypeFont}
+ */
+export function loadTrueTypeFont(data) {
+  const tables = readTables(data);
+
+  for (const tag of ["head", "hhea", "hmtx", "cmap"]) {
+    if (!tables[tag]) throw new Error(`TrueType font is missing its ${tag} table.`);
+  }
+
+  const head = tables.head.offset;
+  const hhea = tables.hhea.offset;
+  const hmtx = tables.hmtx.offset;
+  const numberOfHMetrics = data.readUInt16BE(hhea + 34);
+
+  return {
+    data,
+    unitsPerEm: data.readUInt16BE(head + 18),
+    ascent: data.readInt16BE(hhea + 4),
+    descent: data.readInt16BE(hhea + 6),
+    bbox: [36, 38, 40, 42].map((offset) => data.readInt16BE(head + offset)),
+    glyphId: buildCmapLookup(data, tables.cmap.offset),
+
+    // Glyphs past numberOfHMetrics share the last width.
+    advanceWidth(glyphId) {
+      const index = Math.min(glyphId, numberOfHMetrics - 1);
+      return data.readUInt16BE(hmtx + index * 4);
+    },
+  };
+}
+
+// ------------------------------------------------------
+// DOCUMENT
+// ------------------------------------------------------
+
+function formatNumber(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function escapePdfString(bytes) {
+  return bytes.replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+/**
+ * @param {{ font?: TrueTypeFont | null, pageSize?: number[], title?: string, language?: string }} [options]
+ */
+export function createPdfDocument(options = {}) {
+  const [pageWidth, pageHeight] = options.pageSize || PAGE_SIZES.letter;
+  const font = options.font || null;
+
+  /** @type {string[][]} */
+  const pages = [];
+
+  // Glyph ids drawn with the embedded font, for the width
+  // table and the ToUnicode map.
+  const usedGlyphs = new Map();
+
+  const currentPage = () => pages[pages.length - 1];
+
+  function encodeStandard(text) {
+    let bytes = "";
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+
+      if (code >= 0x20 && code <= 0x7e) bytes += char;
+      else if (code >= 0xa0 && code <= 0xff) bytes += String.fromCharCode(code);
+      else if (WIN_ANSI_EXTRAS[char]) bytes += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+      else if (/\p{Extended_Pictographic}|\p{M}/u.test(char)) continue;
+      else bytes += "?";
+    }
+
+    return bytes;
+  }
+
+  // Characters the font cannot draw are left out.
+  function encodeEmbedded(text) {
+    let hex = "";
+
+    for (const char of text) {
+      const codePoint = char.codePointAt(0);
+      const glyph = font.glyphId(codePoint);
+
+      if (!glyph) continue;
+
+      usedGlyphs.set(glyph, codePoint);
+      hex += glyph.toString(16).padStart(4, "0");
+    }
+
+    return hex;
+  }
+
+  return {
+    pageWidth,
+    pageHeight,
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    addPage() {
+      pages.push([]);
+    },
+
+    /**
+     * @param {string} text
+     * @param {number} size
+     * @param {boolean} [bold]
+     * @returns {number} width in points
+     */
+    measure(text, size, bold = false) {
+      let units = 0;
+
+      for (const char of text || "") {
+        const codePoint = char.codePointAt(0);
+
+        if (font) {
+          const glyph = font.glyphId(codePoint);
+          if (glyph) units += (font.advanceWidth(glyph) * 1000) / font.unitsPerEm;
+          continue;
+        }
+
+        if (/\p{Extended_Pictographic}|\p{M}/u.test(char)) continue;
+
+        units +=
+          codePoint >= 0x20 && codePoint <= 0x7e
+            ? HELVETICA_WIDTHS[codePoint - 0x20]
+            : 556;
+      }
+
+      return (units * size * (bold && !font ? HELVETICA_BOLD_SCALE : 1)) / 1000;
+    },
+
+    /**
+     * Word-wraps logical-order text to a width. Words longer
+     * than the width are broken by character.
+     *
+     * @returns {string[]}
+     */
+    wrap(text, maxWidth, size, bold = false) {
+      const lines = [];
+
+      for (const paragraph of (text || "").split("\n")) {
+        let line = "";
+
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+          const candidate = line ? `${line} ${word}` : word;
+
+          if (this.measure(candidate, size, bold) <= maxWidth) {
+            line = candidate;
+            continue;
+          }
+
+          if (line) lines.push(line);
+          line = "";
+
+          let piece = "";
+
+          for (const char of word) {
+            if (piece && this.measure(piece + char, size, bold) > maxWidth) {
+              lines.push(piece);
+              piece = "";
+            }
+
+            piece += char;
+          }
+
+          line = piece;
+        }
+
+        lines.push(line);
+      }
+
+      return lines;
+    },
+
+    /**
+     * @param {string} text  Drawing-order text.
+     * @param {number} x
+     * @param {number} y  Baseline, from the top of the page.
+     * @param {TextOptions} [style]
+     */
+    text(text, x, y, style = {}) {
+      const size = style.size || 11;
+      const color = (style.color || [0, 0, 0]).map(formatNumber).join(" ");
+      const baseline = formatNumber(pageHeight - y);
+
+      if (font) {
+        const hex = encodeEmbedded(text);
+        if (!hex) return;
+
+        currentPage().push(
+          `BT ${color} rg ${color} RG ${style.bold ? "2 Tr 0.35 w" : "0 Tr"} /F3 ${size} Tf ${formatNumber(x)} ${baseline} Td <${hex}> Tj ET`
+        );
+        return;
+      }
+
+      const bytes = encodeStandard(text);
+      if (!bytes) return;
+
+      currentPage().push(
+        `BT ${color} rg /${style.bold ? "F2" : "F1"} ${size} Tf ${formatNumber(x)} ${baseline} Td (${escapePdfString(bytes)}) Tj ET`
+      );
+    },
+
+    /**
+     * @param {number} x
+     * @param {number} y  Top edge, from the top of the page.
+     * @param {number} width
+     * @param {number} height
+     * @param {{ stroke?: number[], fill?: number[], lineWidth?: number }} [style]
+     */
+    rect(x, y, width, height, style = {}) {
+      const ops = [`${formatNumber(style.lineWidth || 1)} w`];
+
+      if (style.fill) ops.push(`${style.fill.map(formatNumber).join(" ")} rg`);
+      if (style.stroke) ops.push(`${style.stroke.map(formatNumber).join(" ")} RG`);
+
+      ops.push(
+        `${formatNumber(x)} ${formatNumber(pageHeight - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`,
+        style.fill && style.stroke ? "B" : style.fill ? "f" : "S"
+      );
+
+      currentPage().push(`q ${ops.join(" ")} Q`);
+    },
+
+    line(x1, y1, x2, y2, style = {}) {
+      const stroke = (style.stroke || [0, 0, 0]).map(formatNumber).join(" ");
+
+      currentPage().push(
+        `q ${formatNumber(style.lineWidth || 1)} w ${stroke} RG ${formatNumber(x1)} ${formatNumber(pageHeight - y1)} m ${formatNumber(x2)} ${formatNumber(pageHeight - y2)} l S Q`
+      );
+    },
+
+    /** @returns {Buffer} */
+    toBuffer() {
+      if (!pages.length) pages.push([]);
+
+      /** @type {(string | Buffer)[]} */
+      const objects = [];
+      const addObject = (body) => objects.push(body);
+
+      const stream = (dictionary, content) => {
+        const data = deflateSync(Buffer.isBuffer(content) ? content : Buffer.from(content, "latin1"));
+
+        return Buffer.concat([
+          Buffer.from(`<< ${dictionary} /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+          data,
+          Buffer.from("\nendstream", "latin1"),
+        ]);
+      };
+
+      const catalogId = addObject("");
+      const pagesId = addObject("");
+
+      const fontResources = [];
+
+      if (font) {
+        const scale = 1000 / font.unitsPerEm;
+        const glyphs = [...usedGlyphs.keys()].sort((a, b) => a - b);
+
+        const fontFileId = addObject(stream(`/Length1 ${font.data.length}`, font.data));
+
+        const descriptorId = addObject(
+          `<< /Type /FontDescriptor /FontName /KawExportFont /Flags 32 /FontBBox [${font.bbox.map((v) => Math.round(v * scale)).join(" ")}] /ItalicAngle 0 /Ascent ${Math.round(font.ascent * scale)} /Descent ${Math.round(font.descent * scale)} /CapHeight ${Math.round(font.ascent * scale)} /StemV 80 /FontFile2 ${fontFileId} 0 R >>`
+        );
+
+        const widths = glyphs
+          .map((glyph) => `${glyph} [${Math.round(font.advanceWidth(glyph) * scale)}]`)
+          .join(" ");
+
+        const cidFontId = addObject(
+          `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /KawExportFont /CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> /FontDescriptor ${descriptorId} 0 R /CIDToGIDMap /Identity /W [${widths}] >>`
+        );
+
+        // Lets readers copy and search the exported text.
+        const toUnicode = [
+          "/CIDInit /ProcSet findresource begin 12 dict begin begincmap",
+          "/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def",
+          "/CMapName /Adobe-Identity-UCS def /CMapType 2 def",
+          "1 begincodespacerange <0000> <FFFF> endcodespacerange",
+        ];
+
+        for (let i = 0; i < glyphs.length; i += 100) {
+          const chunk = glyphs.slice(i, i + 100);
+          toUnicode.push(`${chunk.length} beginbfchar`);
+
+          for (const glyph of chunk) {
+            const utf16 = Buffer.from(String.fromCodePoint(usedGlyphs.get(glyph)), "utf16le").swap16().toString("hex");
+            toUnicode.push(`<${glyph.toString(16).padStart(4, "0")}> <${utf16}>`);
+          }
+
+          toUnicode.push("endbfchar");
+        }
+
+        toUnicode.push("endcmap CMapName currentdict /CMap defineresource pop end end");
+
+        const toUnicodeId = addObject(stream("", toUnicode.join("\n")));
+
+        const type0Id = addObject(
+          `<< /Type /Font /Subtype /Type0 /BaseFont /KawExportFont /Encoding /Identity-H /DescendantFonts [${cidFontId} 0 R] /ToUnicode ${toUnicodeId} 0 R >>`
+        );
+
+        fontResources.push(`/F3 ${type0Id} 0 R`);
+      } else {
+        const regularId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+        const boldId = addObject("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+        fontResources.push(`/F1 ${regularId} 0 R`, `/F2 ${boldId} 0 R`);
+      }
+
+      const pageIds = pages.map((operations) => {
+        const contentId = addObject(stream("", operations.join("\n")));
+
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /Font << ${fontResources.join(" ")} >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      const infoId = addObject(
+        `<< /Producer (Kaw Companion) /Title <FEFF${Buffer.from(options.title || "Kaw Companion", "utf16le").swap16().toString("hex")}> >>`
+      );
+
+      objects[catalogId - 1] =
+        `<< /Type /Catalog /Pages ${pagesId} 0 R${options.language ? ` /Lang (${escapePdfString(options.language)})` : ""} >>`;
+      objects[pagesId - 1] =
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "latin1")];
+      const offsets = [];
+      let length = chunks[0].length;
+
+      objects.forEach((body, index) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+          Buffer.from("\nendobj\n", "latin1"),
+        ]);
+
+        offsets.push(length);
+        chunks.push(chunk);
+        length += chunk.length;
+      });
+
+      const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        "startxref",
+        String(length),
+        "%%EOF",
+      ].join("\n");
+
+      chunks.push(Buffer.from(`${xref}\n`, "latin1"));
+
+      return Buffer.concat(chunks);
+    },
+  };
+}
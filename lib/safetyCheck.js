@@ -1,25 +1,148 @@
-export function classifyMessage(message) {
-  const text = (message || "").toLowerCase();
-  
-  const selfHarmSignals = ["kill myself", "hurt myself", "end my life", "suicide"];
-  if (selfHarmSignals.some(s => text.includes(s))) {
-    return { flagged: true, severity: "A", flagCategory: "SELF_HARM" };
-  }
-
-  const violenceSignals = ["bring a weapon", "shoot", "stab", "hurt someone", "kill him", "kill her"];
-  if (violenceSignals.some(s => text.includes(s))) {
-    return { flagged: true, severity: "A", flagCategory: "VIOLENCE" };
-  }
-
-  const severeNegSignals = ["i'm worthless", "i am worthless", "i hate myself", "nothing matters", "i want to disappear"];
-  if (severeNegSignals.some(s => text.includes(s))) {
-    return { flagged: true, severity: "B", flagCategory: "SEVERE_NEGATIVE_SELF_TALK" };
-  }
-
-  const bullyingSignals = ["you're stupid", "i hate you", "go die"];
-  if (bullyingSignals.some(s => text.includes(s))) {
-    return { flagged: true, severity: "B", flagCategory: "BULLYING" };
-  }
-
-  return { flagged: false, severity: "", flagCategory: "" };
-}
\ No newline at end of file
+// Authoritative safety classifier module. There is no
+// always-safe fallback: every caller gets the real keyword
+// stage, and api/tutor.js layers the governed model on top.
+
+/**
+ * @typedef {"SELF_HARM" | "VIOLENCE" | "SEVERE_NEGATIVE_SELF_TALK" | "BULLYING"} SafetyCategory
+ */
+
+/**
+ * A = possible danger to self or others.
+ * B = distress or harmful language.
+ *
+ * @typedef {"A" | "B"} SafetySeverity
+ */
+
+/**
+ * Result of the deterministic keyword stage.
+ *
+ * @typedef {Object} KeywordSafetyVerdict
+ * @property {boolean} flagged
+ * @property {SafetySeverity | ""} severity
+ * @property {SafetyCategory | ""} flagCategory
+ * @property {string} evidenceText  Exact span of the student's message that matched.
+ * @property {"keyword"} source
+ */
+
+/**
+ * Result of the full two-stage classification
+ * (buildSafetyVerdict in api/tutor.js).
+ *
+ * @typedef {Object} SafetyVerdict
+ * @property {string} version
+ * @property {boolean} flagged
+ * @property {SafetyCategory | ""} flagCategory
+ * @property {SafetySeverity | ""} severity
+ * @property {number} confidence  0-1; keyword hits are always 1.
+ * @property {string} evidenceText  Verbatim excerpt of the student's message.
+ * @property {"deterministic" | "safetyModel" | "safetyModelUnavailable" | "emptyInteraction" | "notClassified"} source
+ */
+
+// Deterministic keyword stage of safety classification.
+//
+// A keyword hit outranks the model stage, so only
+// unambiguous first-person threats and self-harm statements
+// are matched here. Third-person, literary and idiomatic
+// uses of the same words ("Macbeth decides to kill him",
+// "I'm going to kill this essay", "Romeo and Juliet's
+// suicide") are left to the governed model stage in
+// api/tutor.js, which can add a detection but never
+// remove one made here.
+
+// "I'll", "I'm going to", "I want to", ...
+const FIRST_PERSON_INTENT = String.raw`\bi(?:'ll| will|'m going to| am going to|'m gonna| am gonna| want to| wanna)`;
+
+// People a threat can be aimed at. Anything else ("this
+// essay", "my grade", a character's name) goes to the model.
+const PEOPLE = String.raw`(?:him|her|them|you|someone|somebody|everyone|everybody|people|(?:my|that|this|the|our) (?:teachers?|classmates?|principal|coach|mom|mother|dad|father|brothers?|sisters?|parents|family|friends?|boyfriend|girlfriend|kids|students))\b`;
+
+/** @type {{ flagCategory: SafetyCategory, severity: SafetySeverity, patterns: RegExp[] }[]} */
+const SAFETY_SIGNALS = [
+  {
+    flagCategory: "SELF_HARM",
+    severity: "A",
+    patterns: [
+      /\b(?:kill|killing|hurt|hurting|cut|cutting) myself\b/,
+      /\bend(?:ing)? my (?:own )?life\b/,
+      /\bi (?:just |really )?(?:want to|wanna) die\b/,
+      /\bi(?:'m| am| feel| have been|'ve been) (?:so |really )?suicidal\b/,
+      /\bi(?:'m| am|'ve been| have been)? (?:thinking (?:of|about)|considering) suicide\b/,
+      new RegExp(`${FIRST_PERSON_INTENT} commit suicide\\b`),
+    ],
+  },
+  {
+    flagCategory: "VIOLENCE",
+    severity: "A",
+    patterns: [
+      new RegExp(`${FIRST_PERSON_INTENT} (?:kill|stab|shoot|hurt|murder) ${PEOPLE}`),
+      new RegExp(`${FIRST_PERSON_INTENT} shoot up (?:the |my |this )?(?:school|class|classroom)\\b`),
+      /\bi(?:'ll| will|'m going to| am going to|'m gonna| am gonna|'m| am)? bring(?:ing)? (?:a |my )?(?:\S+'s )?(?:gun|weapon)\b/,
+    ],
+  },
+  {
+    flagCategory: "SEVERE_NEGATIVE_SELF_TALK",
+    severity: "B",
+    patterns: [
+      /\bi'?m worthless\b/,
+      /\bi am worthless\b/,
+      /\bi hate myself\b/,
+      /\bnothing matters\b/,
+      /\bi want to disappear\b/,
+    ],
+  },
+  {
+    flagCategory: "BULLYING",
+    severity: "B",
+    patterns: [
+      /\byou'?re stupid\b/,
+      /\byou are stupid\b/,
+      /\bi hate you\b/,
+      /\bgo die\b/,
+      /\bkill yourself\b/,
+    ],
+  },
+];
+
+/**
+ * @param {string} message
+ * @returns {KeywordSafetyVerdict}
+ */
+export function classifyMessage(message) {
+  const original = (message || "").toString();
+
+  // Lowercasing can change a character's length ("İ" becomes
+  // two code units), so offsets[i] records where text[i]
+  // came from and evidence is cut from the student's own
+  // words.
+  let text = "";
+  const offsets = [];
+
+  for (let i = 0; i < original.length; ) {
+    const char = String.fromCodePoint(original.codePointAt(i));
+    const lower = char.toLowerCase().replace(/[‘’]/g, "'");
+
+    for (let k = 0; k < lower.length; k++) offsets.push(i);
+
+    text += lower;
+    i += char.length;
+  }
+
+  offsets.push(original.length);
+
+  for (const signal of SAFETY_SIGNALS) {
+    for (const pattern of signal.patterns) {
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      return {
+        flagged: true,
+        severity: signal.severity,
+        flagCategory: signal.flagCategory,
+        evidenceText: original.slice(offsets[match.index], offsets[match.index + match[0].length]),
+        source: "keyword",
+      };
+    }
+  }
+
+  return { flagged: false, severity: "", flagCategory: "", evidenceText: "", source: "keyword" };
+}
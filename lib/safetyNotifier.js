@@ -0,0 +1,176 @@
+import { appendFile } from "node:fs/promises";
+import { loadSafetyConfig } from "./safetyResponses.js";
+
+// ======================================================
+// SAFETY INCIDENT NOTIFIERS
+// ======================================================
+//
+// Delivers severity A and B safety incident records to the
+// people responsible for the student.
+//
+// Notifier selection (first match wins):
+//
+// 1. the district's "notifier" entry in KAW_SAFETY_CONFIG:
+//    { "type": "webhook", "url": "https://...",
+//      "secretEnv": "KAW_SAFETY_SECRET_NORTHSIDE" }
+//    { "type": "file", "path": "./safety-incidents.jsonl" }
+// 2. KAW_SAFETY_WEBHOOK_URL
+// 3. KAW_SAFETY_INCIDENT_FILE (local development)
+// 4. the server console
+//
+// Each webhook gets only its own bearer token: a district
+// webhook the secret in the environment variable its
+// secretEnv names, KAW_SAFETY_WEBHOOK_URL the secret in
+// KAW_SAFETY_WEBHOOK_SECRET. A webhook with no secret of
+// its own is sent none.
+// ======================================================
+
+const SAFETY_NOTIFY_TIMEOUT_MS = 3000;
+
+/** @typedef {import("./safetyCheck.js").SafetyCategory} SafetyCategory */
+/** @typedef {import("./safetyCheck.js").SafetySeverity} SafetySeverity */
+
+/**
+ * Built by buildSafetyIncident in api/tutor.js.
+ *
+ * @typedef {Object} SafetyIncident
+ * @property {string} id
+ * @property {SafetyCategory | "UNSPECIFIED"} category
+ * @property {SafetySeverity} severity
+ * @property {string} evidenceText
+ * @property {number} confidence
+ * @property {string} source
+ * @property {string} detectedAt  ISO timestamp.
+ * @property {{ label: string, rawStage: string, structuralStage: string | null, ownerStructuralStage: string | null, pendingType: string | null, loopType: string }} location
+ * @property {string} keyTopic
+ * @property {string} district
+ * @property {string | null} sessionId  null for sessions held by the client.
+ * @property {string} studentName  "" when the student's name is not known.
+ * @property {SafetyNotificationResult | null} notification
+ */
+
+/**
+ * @typedef {Object} SafetyNotifier
+ * @property {string} type
+ * @property {(incident: SafetyIncident) => Promise<void>} notify
+ */
+
+/**
+ * @typedef {Object} SafetyNotificationResult
+ * @property {string} notifier
+ * @property {"delivered" | "failed"} status
+ * @property {string} [deliveredAt]
+ * @property {string} [error]
+ */
+
+/**
+ * @param {string} url
+ * @param {{ secret?: string, timeoutMs?: number }} [options]
+ * @returns {SafetyNotifier}
+ */
+export function createWebhookNotifier(url, options = {}) {
+  const timeoutMs = options.timeoutMs || SAFETY_NOTIFY_TIMEOUT_MS;
+
+  return {
+    type: "webhook",
+
+    async notify(incident) {
+      const headers = { "Content-Type": "application/json" };
+      if (options.secret) headers.Authorization = `Bearer ${options.secret}`;
+
+      const resp = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ type: "kaw.safetyIncident", incident }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!resp.ok) {
+        throw new Error(`Safety webhook responded with ${resp.status}`);
+      }
+    },
+  };
+}
+
+// Appends one JSON line per incident.
+/**
+ * @param {string} path
+ * @returns {SafetyNotifier}
+ */
+export function createFileNotifier(path) {
+  return {
+    type: "file",
+
+    async notify(incident) {
+      await appendFile(path, `${JSON.stringify(incident)}\n`, "utf8");
+    },
+  };
+}
+
+/** @returns {SafetyNotifier} */
+export function createConsoleNotifier() {
+  return {
+    type: "console",
+
+    async notify(incident) {
+      console.warn("Kaw safety incident:", JSON.stringify(incident));
+    },
+  };
+}
+
+/**
+ * @param {string} [districtId]
+ * @param {{ env?: Record<string, string | undefined>, config?: Object }} [options]
+ * @returns {SafetyNotifier}
+ */
+export function resolveSafetyNotifier(districtId = "", options = {}) {
+  const env = options.env || process.env;
+  const config = options.config || loadSafetyConfig(env.KAW_SAFETY_CONFIG);
+  const district = (districtId && config?.districts?.[districtId]) || null;
+
+  if (district?.notifier?.type === "webhook" && district.notifier.url) {
+    const secret = district.notifier.secretEnv ? env[district.notifier.secretEnv] || "" : "";
+    return createWebhookNotifier(district.notifier.url, { secret });
+  }
+
+  if (district?.notifier?.type === "file" && district.notifier.path) {
+    return createFileNotifier(district.notifier.path);
+  }
+
+  if (env.KAW_SAFETY_WEBHOOK_URL) {
+    return createWebhookNotifier(env.KAW_SAFETY_WEBHOOK_URL, { secret: env.KAW_SAFETY_WEBHOOK_SECRET || "" });
+  }
+
+  if (env.KAW_SAFETY_INCIDENT_FILE) {
+    return createFileNotifier(env.KAW_SAFETY_INCIDENT_FILE);
+  }
+
+  return createConsoleNotifier();
+}
+
+// Never throws. A failed delivery is reported in the returned
+// status so the student's safety reply is never blocked.
+/**
+ * @param {SafetyNotifier} notifier
+ * @param {SafetyIncident} incident
+ * @returns {Promise<SafetyNotificationResult>}
+ */
+export async function deliverSafetyIncident(notifier, incident) {
+  try {
+    await notifier.notify(incident);
+
+    return {
+      notifier: notifier.type,
+      status: "delivered",
+      deliveredAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    console.error("Safety incident notification error:", error);
+
+    return {
+      notifier: notifier.type,
+      status: "failed",
+      error: String(error?.message || error),
+    };
+  }
+}
@@ -1,8 +1,215 @@
-export const SAFETY_RESPONSES = {
-  SELF_HARM: "...",
-  VIOLENCE: "...",
-  BULLYING: "...",
-  SEVERE_NEGATIVE_SELF_TALK: "...",
-
-  default: "I can’t help with that. Please talk to a trusted adult like a teacher, counselor, or family member."
-};
+// ======================================================
+// SAFETY RESPONSE CATALOG
+// ======================================================
+//
+// Severity A (SELF_HARM, VIOLENCE):
+// Tutoring stops for this turn and crisis resources are
+// shown. Kaw does not ask a Frame question.
+//
+// Severity B (SEVERE_NEGATIVE_SELF_TALK, BULLYING):
+// Kaw gives a supportive redirect and then offers to
+// return to the same Frame location.
+//
+// Schools and districts may override the response text,
+// the crisis resources, and pre-translated text per
+// language through KAW_SAFETY_CONFIG (JSON):
+//
+// {
+//   "districts": {
+//     "<districtId>": {
+//       "resources": [{ "label": "...", "contact": "..." }],
+//       "responses": { "SELF_HARM": "...", ... },
+//       "translations": {
+//         "es": { "SELF_HARM": "...", "resourcesHeading": "...", ... }
+//       }
+//     }
+//   }
+// }
+// ======================================================
+
+/** @typedef {import("./safetyCheck.js").SafetyCategory} SafetyCategory */
+/** @typedef {import("./safetyCheck.js").SafetySeverity} SafetySeverity */
+
+/**
+ * Response text keyed by SafetyCategory, plus the shared
+ * resourcesHeading, returnOffer, resumeDeclined and default
+ * entries.
+ *
+ * @typedef {Record<SafetyCategory | "resourcesHeading" | "returnOffer" | "resumeDeclined" | "default", string>} SafetyResponseText
+ */
+
+/**
+ * @typedef {Object} SafetyResource
+ * @property {string} label
+ * @property {string} contact
+ */
+
+/**
+ * @typedef {Object} SafetySeverityPolicy
+ * @property {"pause" | "redirect"} tutoringAction
+ * @property {boolean} includeResources
+ * @property {boolean} offerReturn
+ */
+
+/**
+ * A district's resolved response catalog.
+ *
+ * @typedef {Object} SafetyResponseCatalog
+ * @property {string} districtId  "" when the defaults apply.
+ * @property {SafetyResponseText} responses
+ * @property {SafetyResource[]} resources
+ * @property {Record<string, Partial<SafetyResponseText>>} translations  Keyed by language code.
+ */
+
+/**
+ * @typedef {Object} SafetyResponse
+ * @property {string} text
+ * @property {"pause" | "redirect"} tutoringAction
+ * @property {boolean} offerReturn
+ * @property {boolean} includesResources
+ * @property {boolean} translated
+ */
+
+/** @type {SafetyResponseText} */
+export const SAFETY_RESPONSES = {
+  SELF_HARM: "I'm really sorry you're feeling this way. I can't help with anything that could hurt you, but you deserve support. Please talk to a trusted adult like a teacher, counselor, or family member. If you're in immediate danger, get help from an adult right away.",
+  VIOLENCE: "I can't help with threats or anything that could hurt someone. This is something you need to share with a trusted adult right away, like a teacher, counselor, or family member.",
+  BULLYING: "I can't help with hurting or targeting someone. If something upsetting is going on, it would really help to talk to a trusted adult.",
+  SEVERE_NEGATIVE_SELF_TALK: "That sounds really heavy, and I'm sorry you're feeling that way. You don't have to handle it alone. Please consider talking to a trusted adult like a teacher, counselor, or family member.",
+
+  resourcesHeading: "If you need to talk to someone right now:",
+  returnOffer: "When you're ready, we'll return to the same spot in your Frame: {location}.\n\nAre you ready to keep working on your {location}?",
+  resumeDeclined: "That's okay. Take the time you need. When you're ready to keep working, just say yes.",
+
+  default: "I can’t help with that. Please talk to a trusted adult like a teacher, counselor, or family member."
+};
+
+// US defaults. Districts outside the US should override these.
+/** @type {SafetyResource[]} */
+export const SAFETY_RESOURCES = [
+  { label: "988 Suicide & Crisis Lifeline", contact: "call or text 988" },
+  { label: "Crisis Text Line", contact: "text HOME to 741741" },
+  { label: "Emergency", contact: "call 911 if you or someone else is in immediate danger" },
+];
+
+/** @type {Record<SafetySeverity, SafetySeverityPolicy>} */
+export const SAFETY_SEVERITY_POLICY = {
+  A: { tutoringAction: "pause", includeResources: true, offerReturn: false },
+  B: { tutoringAction: "redirect", includeResources: false, offerReturn: true },
+};
+
+export function loadSafetyConfig(raw = process.env.KAW_SAFETY_CONFIG) {
+  if (!raw) return {};
+
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    console.error("KAW_SAFETY_CONFIG is not valid JSON; using default safety catalog.");
+    return {};
+  }
+}
+
+// Returns the catalog for one district, falling back to the
+// defaults for anything the district does not override.
+/**
+ * @param {string} [districtId]
+ * @param {Object} [config]  Parsed KAW_SAFETY_CONFIG.
+ * @returns {SafetyResponseCatalog}
+ */
+export function resolveSafetyCatalog(districtId = "", config = loadSafetyConfig()) {
+  const district =
+    (districtId && config?.districts?.[districtId]) || null;
+
+  const resources =
+    Array.isArray(district?.resources) && district.resources.length
+      ? district.resources.filter((r) => r && r.label && r.contact)
+      : SAFETY_RESOURCES;
+
+  return {
+    districtId: district ? districtId : "",
+    responses: { ...SAFETY_RESPONSES, ...(district?.responses || {}) },
+    resources,
+    translations: district?.translations || {},
+  };
+}
+
+// One line of the resources list. Transcript redaction
+// keeps these lines as they are.
+/**
+ * @param {SafetyResource} resource
+ * @returns {string}
+ */
+export function formatResourceLine(resource) {
+  return `• ${resource.label}: ${resource.contact}`;
+}
+
+function formatResources(heading, resources) {
+  return [heading, ...resources.map(formatResourceLine)].join("\n");
+}
+
+// Builds the full safety reply for a classifyMessage() verdict.
+//
+// options.language    the student's locked language code
+// options.location    friendly name of the current Frame location
+//
+// translated is true when the catalog supplied every part of
+// the reply in options.language, so the caller does not need
+// to translate it.
+/**
+ * @param {{ severity: SafetySeverity | "", flagCategory: SafetyCategory | "" }} safety
+ * @param {SafetyResponseCatalog} [catalog]
+ * @param {{ language?: string, location?: string }} [options]
+ * @returns {SafetyResponse}
+ */
+export function buildSafetyResponse(safety, catalog = resolveSafetyCatalog(), options = {}) {
+  const policy = SAFETY_SEVERITY_POLICY[safety?.severity] || SAFETY_SEVERITY_POLICY.A;
+  const language = options.language || "en";
+
+  const translatedText =
+    language !== "en" ? catalog.translations?.[language] || {} : {};
+
+  let translated = language !== "en";
+
+  const text = (key) => {
+    if (translatedText[key]) return translatedText[key];
+    translated = false;
+    return catalog.responses[key] || catalog.responses.default;
+  };
+
+  const parts = [text(safety?.flagCategory)];
+
+  if (policy.includeResources) {
+    parts.push(formatResources(text("resourcesHeading"), catalog.resources));
+  }
+
+  if (policy.offerReturn) {
+    parts.push(
+      text("returnOffer").replaceAll("{location}", options.location || "Frame")
+    );
+  }
+
+  return {
+    text: parts.join("\n\n"),
+    tutoringAction: policy.tutoringAction,
+    offerReturn: policy.offerReturn,
+    includesResources: policy.includeResources,
+    translated,
+  };
+}
+
+/**
+ * @param {SafetyResponseCatalog} [catalog]
+ * @param {{ language?: string }} [options]
+ * @returns {{ text: string, translated: boolean }}
+ */
+export function buildSafetyResumeDeclinedResponse(catalog = resolveSafetyCatalog(), options = {}) {
+  const language = options.language || "en";
+  const translatedText =
+    language !== "en" ? catalog.translations?.[language] || null : null;
+
+  return {
+    text: translatedText?.resumeDeclined || catalog.responses.resumeDeclined,
+    translated: !!translatedText?.resumeDeclined,
+  };
+}
@@ -1,3 +0,0 @@
-export default function safetyCheck(input: string) {
-  return { safe: true };
-}
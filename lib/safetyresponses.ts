@@ -1,3 +0,0 @@
-export const safetyResponses = {
-  blocked: "I can’t help with that request."
-};
@@ -0,0 +1,144 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, readFile, rm, writeFile, rename } from "node:fs/promises";
+import { join } from "node:path";
+
+// ======================================================
+// SESSION STORE
+// ======================================================
+//
+// Optional server-side persistence for tutor state.
+//
+// When a store is configured the handler loads and saves
+// state itself, keyed by session id, and the client only
+// receives the session id plus a client-safe view. The
+// client's body.state is ignored, so accepted Frame
+// components can only change through the capture
+// functions.
+//
+// KAW_SESSION_STORE selects the adapter:
+//
+//   memory   in-process Map (local development only; not
+//            shared between serverless instances)
+//   file     one JSON file per session in KAW_SESSION_DIR
+//            (default ".kaw-sessions")
+//
+// Unset keeps the legacy behavior of round-tripping the
+// whole state blob through the client.
+// ======================================================
+
+/**
+ * @typedef {Object} SessionRecord
+ * @property {Object} state
+ * @property {string} updatedAt  ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} SessionStore
+ * @property {string} type
+ * @property {(sessionId: string) => Promise<SessionRecord | null>} load
+ * @property {(sessionId: string, state: Object) => Promise<void>} save
+ * @property {(sessionId: string) => Promise<void>} delete
+ */
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+export function createSessionId() {
+  return randomUUID();
+}
+
+// Session ids become file names, so anything outside the
+// pattern is rejected rather than sanitized.
+export function isValidSessionId(sessionId) {
+  return typeof sessionId === "string" && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/** @returns {SessionStore} */
+export function createMemorySessionStore() {
+  const sessions = new Map();
+
+  return {
+    type: "memory",
+
+    async load(sessionId) {
+      const record = sessions.get(sessionId);
+      return record ? structuredClone(record) : null;
+    },
+
+    async save(sessionId, state) {
+      sessions.set(sessionId, {
+        state: structuredClone(state),
+        updatedAt: new Date().toISOString(),
+      });
+    },
+
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+  };
+}
+
+/**
+ * @param {string} dir
+ * @returns {SessionStore}
+ */
+export function createFileSessionStore(dir) {
+  const fileFor = (sessionId) => {
+    if (!isValidSessionId(sessionId)) {
+      throw new Error("Invalid session id.");
+    }
+
+    return join(dir, `${sessionId}.json`);
+  };
+
+  return {
+    type: "file",
+
+    async load(sessionId) {
+      try {
+        return JSON.parse(await readFile(fileFor(sessionId), "utf8"));
+      } catch (error) {
+        if (error?.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async save(sessionId, state) {
+      const file = fileFor(sessionId);
+      // A temp name per write, so two saves in one process
+      // never share a file.
+      const tmp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+
+      await mkdir(dir, { recursive: true });
+
+      // Write then rename so a crash never leaves a
+      // half-written session behind.
+      await writeFile(
+        tmp,
+        JSON.stringify({ state, updatedAt: new Date().toISOString() }),
+        "utf8"
+      );
+      await rename(tmp, file);
+    },
+
+    async delete(sessionId) {
+      await rm(fileFor(sessionId), { force: true });
+    },
+  };
+}
+
+/**
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {SessionStore | null}
+ */
+export function resolveSessionStore(env = process.env) {
+  const type = (env.KAW_SESSION_STORE || "").trim().toLowerCase();
+
+  if (type === "memory") return createMemorySessionStore();
+  if (type === "file") return createFileSessionStore(env.KAW_SESSION_DIR || ".kaw-sessions");
+
+  if (type) {
+    console.error(`Unknown KAW_SESSION_STORE "${type}"; sessions stay client-held.`);
+  }
+
+  return null;
+}
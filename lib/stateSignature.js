@@ -0,0 +1,63 @@
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+// ======================================================
+// STATE SIGNATURES
+// ======================================================
+//
+// Tamper evidence for client-held tutor state.
+//
+// The handler signs the normalized state it returns with
+// KAW_STATE_SECRET and verifies the signature on the next
+// request. Signing the normalized form means harmless
+// client additions are ignored, while any edit to a field
+// Kaw reads (the Frame, pending contract, settings, ...)
+// breaks the signature.
+// ======================================================
+
+// JSON with object keys sorted at every level, so the same
+// state always produces the same bytes regardless of the key
+// order the client sends back.
+export function canonicalStringify(value) {
+  const sortKeys = (v) => {
+    if (Array.isArray(v)) return v.map(sortKeys);
+    if (!v || typeof v !== "object") return v;
+
+    return Object.keys(v)
+      .sort()
+      .reduce((out, key) => {
+        out[key] = sortKeys(v[key]);
+        return out;
+      }, {});
+  };
+
+  // Round-trip first so undefined, functions and Dates are
+  // handled exactly as they will be on the wire.
+  const json = JSON.stringify(value);
+  return json === undefined ? "" : JSON.stringify(sortKeys(JSON.parse(json)));
+}
+
+/**
+ * @param {Object} state
+ * @param {string} secret
+ * @returns {string} base64url HMAC-SHA256
+ */
+export function signState(state, secret) {
+  return createHmac("sha256", secret)
+    .update(canonicalStringify(state))
+    .digest("base64url");
+}
+
+/**
+ * @param {Object} state
+ * @param {string | null | undefined} signature
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export function verifyStateSignature(state, signature, secret) {
+  if (typeof signature !== "string" || !signature) return false;
+
+  const expected = Buffer.from(signState(state, secret));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
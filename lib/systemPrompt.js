@@ -1,13 +1,26 @@
-// You must replace the placeholders below with the actual text from the document tabs [cite: 62, 92]
-const CHAT_INIT = `<PASTE Chat Initialization VERBATIM>`;
-const FRAMING_CLARIFY = `<PASTE Framing Phase - Clarify VERBATIM>`;
-const FRAMING_STRATEGY = `<PASTE Framing Routine - Strategy Specification VERBATIM>`;
-const GUARDRAILS = `<PASTE Step 7 - Instructional Guardrails VERBATIM>`;
-
-// Combine them exactly as requested [cite: 63-68]
-export const SYSTEM_PROMPT_STEP_7 = `
-${CHAT_INIT}
-${FRAMING_CLARIFY}
-${FRAMING_STRATEGY}
-${GUARDRAILS}
-`;
\ No newline at end of file
+// Authoritative system prompt module.
+
+// Kaw's baseline persona. Nothing imports this module yet:
+// api/tutor.js builds its own prompts, and the Step 7
+// sections below are still placeholders.
+export const KAW_PERSONA = `
+You are Kaw Companion, a calm Socratic tutor.
+You ask one question at a time and never give direct answers.
+`;
+
+// You must replace the placeholders below with the actual text from the document tabs [cite: 62, 92]
+const CHAT_INIT = `<PASTE Chat Initialization VERBATIM>`;
+const FRAMING_CLARIFY = `<PASTE Framing Phase - Clarify VERBATIM>`;
+const FRAMING_STRATEGY = `<PASTE Framing Routine - Strategy Specification VERBATIM>`;
+const GUARDRAILS = `<PASTE Step 7 - Instructional Guardrails VERBATIM>`;
+
+// Combine them exactly as requested [cite: 63-68]
+/** @type {string} */
+export const SYSTEM_PROMPT_STEP_7 = `
+${CHAT_INIT}
+${FRAMING_CLARIFY}
+${FRAMING_STRATEGY}
+${GUARDRAILS}
+`;
+
+export default KAW_PERSONA;
@@ -0,0 +1,146 @@
+import { createHash, randomUUID } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// ======================================================
+// TRANSLATION CACHE
+// ======================================================
+//
+// Keeps translations of Kaw's fixed prompt lines, so a
+// line that has been translated once costs no model call
+// and reads the same on every turn.
+//
+// Only fixed text belongs here. Callers must never store
+// lines that carry student work or model-written replies.
+//
+// Entries are keyed by source text, language, and prompt
+// version. Bumping the version retires every entry made
+// with an older translation prompt.
+//
+// KAW_TRANSLATION_CACHE selects the adapter:
+//
+//   memory   in-process Map (the default)
+//   file     one JSON file at KAW_TRANSLATION_CACHE_FILE
+//            (default ".kaw-translations.json")
+//   off      no cache
+// ======================================================
+
+/**
+ * @typedef {Object} TranslationCache
+ * @property {string} type
+ * @property {(keys: string[]) => Promise<(string | null)[]>} getMany
+ * @property {(entries: [string, string][]) => Promise<void>} setMany
+ */
+
+const CACHE_FILE_FORMAT = "kaw-translation-cache";
+
+/**
+ * @param {{ text: string, language: string, promptVersion: number | string, context?: string }} entry
+ *   context covers anything else the prompt depends on
+ *   (e.g. the Framing Routine glossary).
+ * @returns {string}
+ */
+export function createTranslationCacheKey({ text, language, promptVersion, context = "" }) {
+  const hash = createHash("sha256")
+    .update(JSON.stringify([String(promptVersion), language, context, text]))
+    .digest("base64url");
+
+  return `${promptVersion}:${language}:${hash}`;
+}
+
+/** @returns {TranslationCache} */
+export function createMemoryTranslationCache() {
+  const entries = new Map();
+
+  return {
+    type: "memory",
+
+    async getMany(keys) {
+      return keys.map((key) => entries.get(key) ?? null);
+    },
+
+    async setMany(newEntries) {
+      for (const [key, value] of newEntries) entries.set(key, value);
+    },
+  };
+}
+
+/**
+ * The file is read once, on first use, and rewritten
+ * whole after each batch of new entries.
+ *
+ * @param {string} file
+ * @returns {TranslationCache}
+ */
+export function createFileTranslationCache(file) {
+  /** @type {Promise<Map<string, string>> | null} */
+  let loading = null;
+
+  const load = () => {
+    // An unreadable file only costs model calls, so the
+    // cache starts over instead of failing translation.
+    loading ||= readFile(file, "utf8").then(
+      (raw) => {
+        try {
+          const parsed = JSON.parse(raw);
+          return new Map(parsed?.format === CACHE_FILE_FORMAT ? Object.entries(parsed.entries || {}) : []);
+        } catch {
+          console.error(`Translation cache ${file} is not readable; starting a new one.`);
+          return new Map();
+        }
+      },
+      (error) => {
+        if (error?.code === "ENOENT") return new Map();
+        throw error;
+      }
+    );
+
+    return loading;
+  };
+
+  return {
+    type: "file",
+
+    async getMany(keys) {
+      const entries = await load();
+      return keys.map((key) => entries.get(key) ?? null);
+    },
+
+    async setMany(newEntries) {
+      if (!newEntries.length) return;
+
+      const entries = await load();
+      for (const [key, value] of newEntries) entries.set(key, value);
+
+      // A temp name per write, so two saves in one process
+      // never share a file.
+      const tmp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+
+      await mkdir(dirname(file), { recursive: true });
+
+      // Write then rename so a crash never leaves a
+      // half-written cache behind.
+      await writeFile(
+        tmp,
+        JSON.stringify({ format: CACHE_FILE_FORMAT, entries: Object.fromEntries(entries) }),
+        "utf8"
+      );
+      await rename(tmp, file);
+    },
+  };
+}
+
+/**
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {TranslationCache | null}
+ */
+export function resolveTranslationCache(env = process.env) {
+  const type = (env.KAW_TRANSLATION_CACHE || "memory").trim().toLowerCase();
+
+  if (type === "memory") return createMemoryTranslationCache();
+  if (type === "file") return createFileTranslationCache(env.KAW_TRANSLATION_CACHE_FILE || ".kaw-translations.json");
+  if (type === "off") return null;
+
+  console.error(`Unknown KAW_TRANSLATION_CACHE "${type}"; using the in-process cache.`);
+  return createMemoryTranslationCache();
+}
@@ -0,0 +1,115 @@
+import { deflateRawSync } from "node:zlib";
+
+// ======================================================
+// ZIP ARCHIVE WRITER
+// ======================================================
+//
+// A small dependency-free ZIP writer for exports that are
+// packages of files (DOCX documents, LMS packages).
+//
+// Entries are deflated unless deflating makes them larger.
+// Every entry gets the same modification time, so the same
+// input always produces the same bytes. No ZIP64, so each
+// archive must stay under 4 GB, far beyond any Frame.
+// ======================================================
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name  Path inside the archive, "/"-separated.
+ * @property {Buffer | string} data  Strings are written as UTF-8.
+ */
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+
+  return c >>> 0;
+});
+
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+
+  for (const byte of buffer) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, local to the archive.
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getUTCFullYear());
+
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | Math.floor(date.getUTCSeconds() / 2),
+    day: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate(),
+  };
+}
+
+/**
+ * @param {ZipEntry[]} entries
+ * @param {{ modifiedAt?: Date }} [options]
+ * @returns {Buffer}
+ */
+export function createZipArchive(entries, options = {}) {
+  const { time, day } = toDosDateTime(options.modifiedAt || new Date(Date.UTC(1980, 0, 1)));
+
+  const chunks = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data || "", "utf8");
+    const deflated = deflateRawSync(data);
+    const stored = deflated.length >= data.length;
+    const body = stored ? data : deflated;
+    const checksum = crc32(data);
+
+    // Bit 11: names are UTF-8.
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6);
+    header.writeUInt16LE(stored ? 0 : 8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(day, 12);
+    header.writeUInt32LE(checksum, 14);
+    header.writeUInt32LE(body.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    chunks.push(header, name, body);
+    centralDirectory.push(central, name);
+    offset += header.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(centralDirectory);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...chunks, directory, end]);
+}